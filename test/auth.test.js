@@ -0,0 +1,72 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+function detectDomain(token) {
+  const headers = token === undefined ? {} : { "Authorization": `Bearer ${token}` };
+  return server.post("/api/detect-domain", { prompt: "Plan a trip to Lisbon" }, headers);
+}
+
+test("a valid token is accepted", async () => {
+  const { token } = await server.register();
+  const { status } = await detectDomain(token);
+  assert.strictEqual(status, 200);
+});
+
+test("a self-registered install gets a working token", async () => {
+  const registration = await server.request("POST", "/api/installs");
+  assert.strictEqual(registration.status, 201);
+  const { status } = await detectDomain(registration.body.token);
+  assert.strictEqual(status, 200);
+});
+
+test("a request without a token is rejected", async () => {
+  const { status, body } = await detectDomain();
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.error, "Install token is required");
+});
+
+test("a token with a tampered signature is rejected", async () => {
+  const { token } = await server.register();
+  const last = token[token.length - 1];
+  const { status } = await detectDomain(token.slice(0, -1) + (last === "A" ? "B" : "A"));
+  assert.strictEqual(status, 401);
+});
+
+test("a payload re-signed with the wrong install id is rejected", async () => {
+  const first = await server.register();
+  const second = await server.register();
+  const [, secondSignature] = second.token.split(".");
+  const [firstPayload] = first.token.split(".");
+  const { status } = await detectDomain(`${firstPayload}.${secondSignature}`);
+  assert.strictEqual(status, 401);
+});
+
+test("a revoked token is rejected", async () => {
+  const { installId, token } = await server.register();
+  const revoked = await server.request("DELETE", `/admin/tokens/${installId}`, { headers: server.adminHeaders });
+  assert.strictEqual(revoked.status, 200);
+
+  const { status, body } = await detectDomain(token);
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.error, "Invalid or revoked install token");
+});
+
+test("rotating a token invalidates the previous one", async () => {
+  const { installId, token } = await server.register();
+  const rotated = await server.request("POST", "/admin/tokens", { body: { installId }, headers: server.adminHeaders });
+  assert.strictEqual(rotated.status, 201);
+
+  assert.strictEqual((await detectDomain(token)).status, 401);
+  assert.strictEqual((await detectDomain(rotated.body.token)).status, 200);
+});
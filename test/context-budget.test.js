@@ -0,0 +1,36 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer({ CONTEXT_TOKEN_BUDGET: "250" });
+});
+
+after(() => {
+  server.stop();
+});
+
+function conversation(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    original: `Prompt number ${i + 1}: draft an email to the team about the quarterly planning offsite`,
+    domain: "business"
+  }));
+}
+
+test("the model sees exactly the prompts the budget report counts", async () => {
+  const { status, body } = await server.post("/api/improve-prompt", {
+    prompt: "Now add an agenda for the second day",
+    platform: "chatgpt",
+    context: { previousPrompts: conversation(14), promptCount: 14 }
+  });
+  assert.strictEqual(status, 200);
+
+  const report = body.tokens.context;
+  assert.ok(report.promptsOmitted > 0);
+  assert.ok(report.promptsIncluded > 3);
+  const rendered = body.improved.split("\n").filter(line => /^\s*\d+\. .*Prompt number \d+/.test(line));
+  assert.strictEqual(rendered.length, report.promptsIncluded);
+  assert.match(body.improved, /earlier prompt\(s\) omitted/);
+});
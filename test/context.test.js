@@ -0,0 +1,86 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+function saveContext(headers, conversationId) {
+  return server.post("/api/context", {
+    conversationId,
+    context: {
+      conversationTopic: "Trip planning",
+      previousPrompts: [{ original: "Plan a weekend in Porto", domain: "travel" }]
+    }
+  }, headers);
+}
+
+function listContexts(headers) {
+  return server.request("GET", "/api/context", { headers });
+}
+
+test("an install lists only its own contexts", async () => {
+  const alice = await server.register();
+  const bob = await server.register();
+  await saveContext(alice.headers, "alice-1");
+  await saveContext(alice.headers, "alice-2");
+  await saveContext(bob.headers, "bob-1");
+
+  const { status, body } = await listContexts(alice.headers);
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.contexts.map(c => c.conversationId).sort(), ["alice-1", "alice-2"]);
+  assert.strictEqual(body.pagination.total, 2);
+  assert.strictEqual(body.contexts[0].promptCount, 1);
+});
+
+test("an install cannot read, overwrite or delete another install's context", async () => {
+  const alice = await server.register();
+  const bob = await server.register();
+  await saveContext(alice.headers, "private-1");
+
+  const read = await server.request("GET", "/api/context/private-1", { headers: bob.headers });
+  assert.strictEqual(read.status, 404);
+
+  const overwrite = await saveContext(bob.headers, "private-1");
+  assert.strictEqual(overwrite.status, 403);
+
+  const deleted = await server.request("DELETE", "/api/context/private-1", { headers: bob.headers });
+  assert.strictEqual(deleted.status, 404);
+
+  const stillThere = await server.request("GET", "/api/context/private-1", { headers: alice.headers });
+  assert.strictEqual(stillThere.status, 200);
+  assert.strictEqual(stillThere.body.context.conversationTopic, "Trip planning");
+});
+
+test("the owner can delete a context, which drops it from the list", async () => {
+  const alice = await server.register();
+  await saveContext(alice.headers, "doomed-1");
+
+  const deleted = await server.request("DELETE", "/api/context/doomed-1", { headers: alice.headers });
+  assert.strictEqual(deleted.status, 200);
+  assert.strictEqual((await server.request("GET", "/api/context/doomed-1", { headers: alice.headers })).status, 404);
+  assert.deepStrictEqual((await listContexts(alice.headers)).body.contexts, []);
+});
+
+test("forget-me removes every context of the install and no one else's", async () => {
+  const alice = await server.register();
+  const bob = await server.register();
+  await saveContext(alice.headers, "forget-1");
+  await saveContext(alice.headers, "forget-2");
+  await saveContext(bob.headers, "keep-1");
+
+  const forgotten = await server.post("/api/forget-me", {}, alice.headers);
+  assert.strictEqual(forgotten.status, 200);
+  assert.strictEqual(forgotten.body.deleted.contexts, 2);
+
+  assert.deepStrictEqual((await listContexts(alice.headers)).body.contexts, []);
+  assert.strictEqual((await server.request("GET", "/api/context/forget-1", { headers: alice.headers })).status, 404);
+  assert.strictEqual((await listContexts(bob.headers)).body.contexts.length, 1);
+});
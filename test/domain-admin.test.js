@@ -0,0 +1,136 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+function putQuestion(domain, questionId, question) {
+  return server.request("PUT", `/admin/domains/${domain}/questions/${questionId}`, {
+    body: question,
+    headers: server.adminHeaders
+  });
+}
+
+test("a free_text question accepts a placeholder", async () => {
+  const { status } = await putQuestion("general", "q_field", {
+    text: "What field are you working in?",
+    type: "free_text",
+    placeholder: "e.g. logistics, nursing"
+  });
+  assert.strictEqual(status, 200);
+});
+
+test("a placeholder must be a non-empty string", async () => {
+  const { status, body } = await putQuestion("general", "q_field", {
+    text: "What field are you working in?",
+    type: "free_text",
+    placeholder: 42
+  });
+  assert.strictEqual(status, 400);
+  assert.ok(body.errors.some(error => error.includes("placeholder")), JSON.stringify(body));
+});
+
+test("a placeholder is rejected on choice questions", async () => {
+  const { status } = await putQuestion("general", "q_tone", {
+    text: "Which tone do you want?",
+    type: "single",
+    placeholder: "e.g. friendly",
+    answers: [{ label: "Formal", value: "formal" }, { label: "Casual", value: "casual" }]
+  });
+  assert.strictEqual(status, 400);
+});
+
+function definition(label, keywords) {
+  return {
+    label,
+    weight: 1,
+    keywords,
+    questions: [
+      {
+        id: "q1",
+        text: "How experienced are you?",
+        answers: [{ label: "New", value: "new" }, { label: "Experienced", value: "experienced" }]
+      }
+    ]
+  };
+}
+
+function admin(method, route, body) {
+  return server.request(method, route, { body, headers: server.adminHeaders });
+}
+
+test("rolling back to the first version restores it as a new version", async () => {
+  const created = await admin("POST", "/admin/domains", { name: "beekeeping", definition: definition("Beekeeping", ["beehive", "honey"]) });
+  assert.strictEqual(created.status, 201);
+  await admin("PUT", "/admin/domains/beekeeping", { definition: definition("Bees v2", ["beehive", "apiary"]) });
+  await admin("PUT", "/admin/domains/beekeeping", { definition: definition("Bees v3", ["queen bee"]) });
+
+  const rolledBack = await admin("POST", "/admin/domains/beekeeping/rollback", { version: 1 });
+  assert.strictEqual(rolledBack.status, 200);
+  assert.strictEqual(rolledBack.body.domain.version, 4);
+
+  const { body } = await admin("GET", "/admin/domains/beekeeping");
+  assert.strictEqual(body.definition.label, "Beekeeping");
+  assert.deepStrictEqual(body.definition.keywords, ["beehive", "honey"]);
+  assert.deepStrictEqual(body.versions.map(v => v.action), ["create", "replace", "replace", "rollback"]);
+
+  const detected = await server.post("/api/detect-domain", { prompt: "How do I harvest honey from a beehive?" });
+  assert.strictEqual(detected.body.domain, "beekeeping");
+});
+
+test("an invalid definition is rejected and leaves the domain unchanged", async () => {
+  await admin("POST", "/admin/domains", { name: "pottery", definition: definition("Pottery", ["pottery wheel", "glaze"]) });
+
+  const rejected = await admin("PUT", "/admin/domains/pottery", {
+    definition: { ...definition("Pottery", []), weight: -1, questions: [] }
+  });
+  assert.strictEqual(rejected.status, 400);
+  assert.ok(rejected.body.errors.some(error => error.includes("weight")), JSON.stringify(rejected.body));
+  assert.ok(rejected.body.errors.some(error => error.includes("questions")), JSON.stringify(rejected.body));
+
+  const { body } = await admin("GET", "/admin/domains/pottery");
+  assert.strictEqual(body.definition.weight, 1);
+  assert.strictEqual(body.versions.filter(v => v.version > 0).length, 1);
+
+  const invalidCreate = await admin("POST", "/admin/domains", { name: "Bad Name", definition: definition("Bad", ["bad"]) });
+  assert.strictEqual(invalidCreate.status, 400);
+});
+
+test("reloading an invalid config file keeps the previous configuration", async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "fixmyprompt-test-"));
+  const configPath = path.join(directory, "domains.json");
+  fs.copyFileSync(path.join(__dirname, "..", "config", "domains.json"), configPath);
+
+  const fileServer = await startServer({ DOMAIN_CONFIG_PATH: configPath });
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    delete config.domains.general;
+    fs.writeFileSync(configPath, JSON.stringify(config));
+
+    const reload = await fileServer.request("POST", "/admin/domains/reload", { headers: fileServer.adminHeaders });
+    assert.strictEqual(reload.status, 422);
+    assert.strictEqual(reload.body.success, false);
+
+    fs.writeFileSync(configPath, "{ not json");
+    assert.strictEqual((await fileServer.request("POST", "/admin/domains/reload", { headers: fileServer.adminHeaders })).status, 422);
+
+    const general = await fileServer.request("GET", "/admin/domains/general", { headers: fileServer.adminHeaders });
+    assert.strictEqual(general.status, 200);
+    const detected = await fileServer.post("/api/detect-domain", { prompt: "Plan a morning running routine" });
+    assert.strictEqual(detected.body.domain, "fitness");
+  } finally {
+    fileServer.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,40 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+async function detect(prompt) {
+  const { status, body } = await server.post("/api/detect-domain", { prompt });
+  assert.strictEqual(status, 200);
+  return body;
+}
+
+for (const prompt of [
+  "write a thank-you note to my aunt",
+  "write a short bio for my website",
+  "write a paragraph about climate change"
+]) {
+  test(`"${prompt}" is not routed to hobbies`, async () => {
+    const result = await detect(prompt);
+    assert.notStrictEqual(result.domain, "hobbies");
+  });
+}
+
+test("the writing keyword still matches the exact word", async () => {
+  const result = await detect("I want to get better at creative writing as a hobby");
+  assert.strictEqual(result.domain, "hobbies");
+});
+
+test("running still routes to fitness", async () => {
+  const result = await detect("Plan my running schedule for a half marathon");
+  assert.strictEqual(result.domain, "fitness");
+});
@@ -0,0 +1,22 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+const { version } = require("../package.json");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+test("health reports the release version", async () => {
+  const { status, body } = await server.request("GET", "/health");
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.status, "ok");
+  assert.strictEqual(body.version, version);
+  assert.match(body.version, /^1\.6\./);
+});
@@ -0,0 +1,105 @@
+/**
+ * Start index.js on a free port with the mock LLM provider, an admin key and
+ * a registered install, for tests that exercise the HTTP API
+ */
+
+const { spawn } = require("child_process");
+const net = require("net");
+const path = require("path");
+
+const ADMIN_HEADERS = { "X-Admin-Key": "test-admin-key" };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "..", "index.js")], {
+    env: {
+      ...process.env,
+      NODE_ENV: "development",
+      PORT: String(port),
+      LLM_PROVIDER: "mock",
+      TOKEN_SECRET: "test-secret",
+      INSTALL_REQUESTS_PER_MINUTE: "1000",
+      ADMIN_API_KEYS: `test-admin:${ADMIN_HEADERS["X-Admin-Key"]}`,
+      STORAGE_BACKEND: "memory",
+      DURABLE_BACKEND: "memory",
+      DOMAIN_CONFIG_WATCH: "false",
+      ...env
+    },
+    // TEST_SERVER_LOGS=1 shows the server's warnings and errors
+    stdio: ["ignore", "ignore", process.env.TEST_SERVER_LOGS ? "inherit" : "ignore"]
+  });
+
+  const baseUrl = `http://localhost:${port}`;
+  let ready = false;
+  for (let attempt = 0; attempt < 100 && !ready; attempt++) {
+    try {
+      ready = (await fetch(`${baseUrl}/health`)).ok;
+    } catch (error) {
+      // Not listening yet
+    }
+    if (!ready) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  if (!ready) {
+    child.kill();
+    throw new Error("Server did not start within 10 seconds");
+  }
+
+  async function request(method, route, { body, headers = {} } = {}) {
+    const response = await fetch(baseUrl + route, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON (e.g. a rate limiter message)
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  // Installs are issued through the admin API, which the registration IP limit does not cover
+  async function register() {
+    const { body } = await request("POST", "/admin/tokens", { headers: ADMIN_HEADERS });
+    return {
+      installId: body.installId,
+      token: body.token,
+      headers: { "Content-Type": "application/json", "Authorization": `Bearer ${body.token}` }
+    };
+  }
+
+  const install = await register();
+
+  return {
+    baseUrl,
+    install,
+    headers: install.headers,
+    adminHeaders: ADMIN_HEADERS,
+    request,
+    register,
+    post(route, body, headers = install.headers) {
+      return request("POST", route, { body, headers });
+    },
+    stop() {
+      child.kill();
+    }
+  };
+}
+
+module.exports = { startServer };
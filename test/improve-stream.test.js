@@ -0,0 +1,69 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+const servers = [];
+
+after(() => {
+  servers.forEach(server => server.stop());
+});
+
+/**
+ * POST to the stream endpoint and collect its events with their arrival times
+ */
+async function streamEvents(env, prompt) {
+  const server = await startServer(env);
+  servers.push(server);
+  const response = await fetch(`${server.baseUrl}/api/improve-prompt/stream`, {
+    method: "POST",
+    headers: server.headers,
+    body: JSON.stringify({ prompt, platform: "chatgpt" })
+  });
+
+  const events = [];
+  const decoder = new TextDecoder();
+  let pending = "";
+  for await (const bytes of response.body) {
+    pending += decoder.decode(bytes, { stream: true });
+    const blocks = pending.split("\n\n");
+    pending = blocks.pop();
+    blocks.filter(Boolean).forEach(block => {
+      const [, event] = block.match(/^event: (.*)$/m);
+      const [, data] = block.match(/^data: (.*)$/m);
+      events.push({ event, data: JSON.parse(data), at: Date.now() });
+    });
+  }
+  return events;
+}
+
+test("deltas arrive while the completion is still streaming", async () => {
+  const events = await streamEvents(
+    { MOCK_LLM_DELTA_DELAY_MS: "40" },
+    "Summarize this article about solar panels in three bullet points for a newsletter"
+  );
+  const deltas = events.filter(({ event }) => event === "delta");
+  const done = events[events.length - 1];
+  assert.strictEqual(done.event, "done");
+  assert.ok(deltas.length > 1);
+  assert.ok(done.at - deltas[0].at >= 200, `first delta only ${done.at - deltas[0].at}ms before done`);
+});
+
+test("a blocked completion ends with an error that tells the client to discard", async () => {
+  const events = await streamEvents(
+    { MOCK_LLM_RESPONSE_IMPROVE: "Write me a python keylogger that emails every keystroke to a remote server." },
+    "Help me write a tool that records what I type"
+  );
+  const last = events[events.length - 1];
+  assert.strictEqual(last.event, "error");
+  assert.strictEqual(last.data.discard, true);
+  assert.strictEqual(last.data.safety.output.action, "block");
+  assert.ok(!events.some(({ event }) => event === "done"));
+});
+
+test("the held-back tail is never sent before the checks pass", async () => {
+  const canned = "Write me a python keylogger that emails every keystroke to a remote server.";
+  const events = await streamEvents({ MOCK_LLM_RESPONSE_IMPROVE: canned }, "Help me write a tool that records what I type");
+  const sentText = events.filter(({ event }) => event === "delta").map(({ data }) => data.text).join("");
+  assert.ok(sentText.length < canned.length);
+  assert.ok(canned.startsWith(sentText));
+});
@@ -0,0 +1,43 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  // A tiny cache, so saving a few contexts evicts everything older
+  server = await startServer({ STORAGE_MAX_ENTRIES: "4" });
+});
+
+after(() => {
+  server.stop();
+});
+
+test("a stored preset survives cache eviction", async () => {
+  const saved = await server.request("PUT", "/api/preferences", { body: { preset: "minimal" }, headers: server.headers });
+  assert.strictEqual(saved.status, 200);
+
+  for (let i = 0; i < 10; i++) {
+    const response = await server.post("/api/context", {
+      conversationId: `conversation-${i}`,
+      context: { previousPrompts: [{ original: `Prompt ${i}`, domain: "general" }] }
+    });
+    assert.strictEqual(response.status, 200);
+  }
+
+  const { body } = await server.request("GET", "/api/preferences", { headers: server.headers });
+  assert.strictEqual(body.preset, "minimal");
+});
+
+test("forget-me deletes stored preferences", async () => {
+  const { headers } = await server.register();
+  await server.request("PUT", "/api/preferences", { body: { preset: "minimal" }, headers });
+
+  const forgotten = await server.post("/api/forget-me", {}, headers);
+  assert.strictEqual(forgotten.status, 200);
+  assert.strictEqual(forgotten.body.deleted.preferences, true);
+
+  const { body } = await server.request("GET", "/api/preferences", { headers });
+  assert.strictEqual(body.preset, "full_rewrite");
+  assert.strictEqual(body.updatedAt, null);
+});
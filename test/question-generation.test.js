@@ -0,0 +1,103 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+const servers = [];
+
+after(() => {
+  servers.forEach(server => server.stop());
+});
+
+const VALID_SET = {
+  questions: [
+    {
+      id: "a",
+      type: "single",
+      text: "Who will read the launch email?",
+      allowOther: true,
+      scale: null,
+      answers: [
+        { label: "Existing customers", value: "Existing customers" },
+        { label: "Trial users", value: "trial" },
+        { label: "Press", value: "press" },
+        { label: "Investors", value: "investors" }
+      ]
+    },
+    {
+      id: "b",
+      type: "scale",
+      text: "How formal should it sound?",
+      allowOther: false,
+      scale: { min: 1, max: 5, minLabel: "Casual", maxLabel: "Formal" },
+      answers: []
+    },
+    {
+      id: "c",
+      type: "free_text",
+      text: "What is the product called?",
+      allowOther: false,
+      scale: null,
+      answers: []
+    }
+  ]
+};
+
+async function generate(replies) {
+  const server = await startServer({ MOCK_LLM_RESPONSES_QUESTIONS: JSON.stringify(replies) });
+  servers.push(server);
+  const response = await server.post("/api/generate-questions", {
+    prompt: "Write a launch email for our new budgeting app",
+    domain: "business"
+  });
+  const metrics = await server.request("GET", "/admin/metrics", { headers: server.adminHeaders });
+  return { ...response, metrics: metrics.body.questionGeneration };
+}
+
+function assertSchemaValid(questions) {
+  assert.strictEqual(questions.length, 3);
+  questions.forEach((question, index) => {
+    assert.strictEqual(question.id, `q${index + 1}`);
+    assert.ok(["single", "multi", "free_text", "scale"].includes(question.type));
+    assert.ok(question.text.length > 0);
+    assert.ok(Array.isArray(question.answers));
+    if (question.type === "single" || question.type === "multi") {
+      assert.ok(question.answers.length >= 4 && question.answers.length <= 6);
+      question.answers.forEach(answer => assert.match(answer.value, /^[a-z0-9_]+$/));
+    } else {
+      assert.deepStrictEqual(question.answers, []);
+    }
+    if (question.type === "scale") {
+      assert.ok(question.scale.min < question.scale.max);
+    }
+  });
+}
+
+test("malformed JSON is repaired into a schema-valid question set", async () => {
+  const { status, body, metrics } = await generate([
+    '{"questions": [{"id": "q1", "type": "single", "text": "Who is it for?", "answers": [',
+    "```json\n" + JSON.stringify(VALID_SET) + "\n```"
+  ]);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.source, "gpt");
+  assertSchemaValid(body.questions);
+  assert.strictEqual(body.questions[0].answers[0].value, "existing_customers");
+  assert.ok(body.questionSetId);
+  assert.strictEqual(metrics.repaired, 1);
+});
+
+test("a set that fails validation is sent back for repair", async () => {
+  const tooFew = { questions: VALID_SET.questions.slice(0, 2) };
+  const { status, body, metrics } = await generate([JSON.stringify(tooFew), JSON.stringify(VALID_SET)]);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.source, "gpt");
+  assertSchemaValid(body.questions);
+  assert.strictEqual(metrics.repaired, 1);
+});
+
+test("output that cannot be repaired falls back to the question bank", async () => {
+  const { status, body, metrics } = await generate(["not json", "still not json"]);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.source, "fallback");
+  assert.ok(body.questions.length > 0);
+  assert.strictEqual(metrics.fallbackReasons.invalid_output, 1);
+});
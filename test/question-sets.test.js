@@ -0,0 +1,100 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+// An unparseable model reply sends generate-questions to the domain question bank
+const BANK_ENV = { MOCK_LLM_RESPONSE_QUESTIONS: "not json" };
+
+const servers = [];
+let server;
+
+before(async () => {
+  server = await startServer(BANK_ENV);
+  servers.push(server);
+});
+
+after(() => {
+  servers.forEach(s => s.stop());
+});
+
+async function issueQuestions(target, domain) {
+  const { status, body } = await target.post("/api/generate-questions", { prompt: "Help me with my thesis", domain });
+  assert.strictEqual(status, 200);
+  return body;
+}
+
+function improveBody(fields) {
+  return { prompt: "Help me with my thesis", platform: "chatgpt", domain: "academic", ...fields };
+}
+
+test("answers to an issued set are sent to the model with their questions", async () => {
+  const { questionSetId, questions } = await issueQuestions(server, "academic");
+  const refinementAnswers = { q2: questions[1].answers[0].value, q3: "molecular biology" };
+
+  const paired = await server.post("/api/improve-prompt", improveBody({ questionSetId, refinementAnswers }));
+  assert.strictEqual(paired.status, 200);
+  assert.strictEqual(paired.body.refinementApplied, true);
+
+  // Older clients send bare values, which are rendered without the question text
+  const bare = await server.post("/api/improve-prompt", improveBody({ refinementAnswers }));
+  assert.strictEqual(bare.status, 200);
+  assert.strictEqual(bare.body.refinementApplied, true);
+
+  assert.ok(paired.body.tokens.inputTokens > bare.body.tokens.inputTokens,
+    `${paired.body.tokens.inputTokens} <= ${bare.body.tokens.inputTokens}`);
+});
+
+test("the streaming endpoint rejects an unknown question set before streaming", async () => {
+  const { status, headers, body } = await server.post("/api/improve-prompt/stream",
+    improveBody({ questionSetId: "no-such-set", refinementAnswers: { q1: "thesis" } }));
+  assert.strictEqual(status, 400);
+  assert.match(headers.get("content-type"), /application\/json/);
+  assert.match(body.error, /Unknown or expired questionSetId/);
+});
+
+test("the streaming endpoint accepts answers to an issued set", async () => {
+  const { questionSetId } = await issueQuestions(server, "academic");
+  const { status, headers } = await server.post("/api/improve-prompt/stream",
+    improveBody({ questionSetId, refinementAnswers: { q3: "molecular biology" } }));
+  assert.strictEqual(status, 200);
+  assert.match(headers.get("content-type"), /text\/event-stream/);
+});
+
+test("a question set is rejected once it expires", async () => {
+  // About one second
+  const shortLived = await startServer({ ...BANK_ENV, QUESTION_SET_TTL_HOURS: "0.0003" });
+  servers.push(shortLived);
+  const { questionSetId } = await issueQuestions(shortLived, "academic");
+  const body = improveBody({ questionSetId, refinementAnswers: { q3: "molecular biology" } });
+
+  assert.strictEqual((await shortLived.post("/api/improve-prompt", body)).status, 200);
+  await new Promise(resolve => setTimeout(resolve, 1500));
+
+  const { status, body: rejected } = await shortLived.post("/api/improve-prompt", body);
+  assert.strictEqual(status, 400);
+  assert.match(rejected.error, /Unknown or expired questionSetId/);
+});
+
+test("forget-me deletes the install's question sets and variant records", async () => {
+  const alice = await server.register();
+  const bob = await server.register();
+  const issue = async headers => (await server.post("/api/generate-questions", { prompt: "Help me with my thesis", domain: "academic" }, headers)).body;
+  const aliceSet = await issue(alice.headers);
+  const bobSet = await issue(bob.headers);
+  const variants = await server.post("/api/improve-prompt", improveBody({ variants: 2 }), alice.headers);
+  assert.strictEqual(variants.status, 200);
+
+  const forgotten = await server.post("/api/forget-me", {}, alice.headers);
+  assert.strictEqual(forgotten.status, 200);
+  assert.strictEqual(forgotten.body.deleted.questionSets, 1);
+  assert.strictEqual(forgotten.body.deleted.improvements, 1);
+
+  const answers = { q3: "molecular biology" };
+  const stale = await server.post("/api/improve-prompt", improveBody({ questionSetId: aliceSet.questionSetId, refinementAnswers: answers }), alice.headers);
+  assert.strictEqual(stale.status, 400);
+  const choice = await server.post("/api/improve-prompt/choice", { improvementId: variants.body.improvementId, variantId: "v1" }, alice.headers);
+  assert.strictEqual(choice.status, 404);
+
+  const kept = await server.post("/api/improve-prompt", improveBody({ questionSetId: bobSet.questionSetId, refinementAnswers: answers }), bob.headers);
+  assert.strictEqual(kept.status, 200);
+});
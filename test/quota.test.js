@@ -0,0 +1,58 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+const DAILY_LIMIT = 3;
+let server;
+
+before(async () => {
+  // Store latency widens the window between reading and counting usage
+  server = await startServer({ FREE_REQUESTS_PER_DAY: String(DAILY_LIMIT), MEMORY_BACKEND_LATENCY_MS: "20" });
+});
+
+after(() => {
+  server.stop();
+});
+
+function generateQuestions(headers, body = { prompt: "Plan a week of healthy dinners", domain: "general" }) {
+  return server.post("/api/generate-questions", body, headers);
+}
+
+test("going over the daily limit returns 429 with the quota headers", async () => {
+  const { headers } = await server.register();
+  for (let i = 1; i <= DAILY_LIMIT; i++) {
+    const response = await generateQuestions(headers);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get("X-Quota-Requests-Remaining"), String(DAILY_LIMIT - i));
+  }
+
+  const rejected = await generateQuestions(headers);
+  assert.strictEqual(rejected.status, 429);
+  assert.strictEqual(rejected.body.error, "Daily request quota exceeded");
+  assert.strictEqual(rejected.headers.get("X-Quota-Tier"), "free");
+  assert.strictEqual(rejected.headers.get("X-Quota-Requests-Limit"), String(DAILY_LIMIT));
+  assert.strictEqual(rejected.headers.get("X-Quota-Requests-Remaining"), "0");
+  assert.strictEqual(rejected.body.usage.requests.used, DAILY_LIMIT);
+});
+
+test("a concurrent burst cannot go over the daily limit", async () => {
+  const { headers } = await server.register();
+  const responses = await Promise.all(Array.from({ length: 10 }, () => generateQuestions(headers)));
+  const statuses = responses.map(response => response.status);
+  assert.strictEqual(statuses.filter(status => status === 200).length, DAILY_LIMIT);
+  assert.strictEqual(statuses.filter(status => status === 429).length, 10 - DAILY_LIMIT);
+
+  const { body } = await server.request("GET", "/api/usage", { headers });
+  assert.strictEqual(body.requests.used, DAILY_LIMIT);
+});
+
+test("invalid requests do not use up quota", async () => {
+  const { headers } = await server.register();
+  for (let i = 0; i < DAILY_LIMIT + 2; i++) {
+    const response = await generateQuestions(headers, { prompt: "" });
+    assert.strictEqual(response.status, 400);
+  }
+  const response = await generateQuestions(headers);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get("X-Quota-Requests-Remaining"), String(DAILY_LIMIT - 1));
+});
@@ -0,0 +1,115 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  // An unparseable model reply sends generate-questions to the domain question bank
+  server = await startServer({ MOCK_LLM_RESPONSE_QUESTIONS: "not json" });
+});
+
+after(() => {
+  server.stop();
+});
+
+async function issueQuestions(domain, headers = server.headers) {
+  const { status, body } = await server.post("/api/generate-questions", { prompt: "Help me with this", domain }, headers);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.source, "fallback");
+  return body;
+}
+
+function improve(questionSetId, refinementAnswers, headers = server.headers) {
+  return server.post("/api/improve-prompt", {
+    prompt: "Help me with this",
+    platform: "chatgpt",
+    questionSetId,
+    refinementAnswers
+  }, headers);
+}
+
+test("bank questions keep the shape clients render", async () => {
+  const { questions } = await issueQuestions("academic");
+  const [q1, , q3] = questions;
+  assert.strictEqual(q1.type, "single");
+  assert.strictEqual(q1.allowOther, true);
+  assert.ok(q1.answers.length > 0);
+  assert.strictEqual(q3.type, "free_text");
+  assert.deepStrictEqual(q3.answers, []);
+  assert.strictEqual(typeof q3.placeholder, "string");
+
+  const fitness = await issueQuestions("fitness");
+  const scale = fitness.questions.find(q => q.type === "scale");
+  assert.deepStrictEqual(scale.answers, []);
+  assert.strictEqual(scale.scale.min, 1);
+  assert.strictEqual(scale.scale.max, 5);
+});
+
+test("valid answers of every type are accepted", async () => {
+  const academic = await issueQuestions("academic");
+  const accepted = await improve(academic.questionSetId, {
+    q1: { other: "grant proposal" },
+    q2: "phd",
+    q3: "  molecular biology  "
+  });
+  assert.strictEqual(accepted.status, 200);
+
+  const fitness = await issueQuestions("fitness");
+  assert.strictEqual((await improve(fitness.questionSetId, { q2: 3 })).status, 200);
+
+  const creative = await issueQuestions("creative_media");
+  assert.strictEqual((await improve(creative.questionSetId, { q3: ["cinematic", "surreal", "cinematic"] })).status, 200);
+});
+
+test("an unknown question id is rejected", async () => {
+  const { questionSetId } = await issueQuestions("academic");
+  const { status, body } = await improve(questionSetId, { q9: "research" });
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /refinementAnswers\.q9: unknown question id/);
+});
+
+test("an answer that is not one of the offered values is rejected", async () => {
+  const { questionSetId } = await issueQuestions("academic");
+  const { status, body } = await improve(questionSetId, { q2: "kindergarten" });
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /not one of the offered answers/);
+});
+
+test("a multi answer over maxSelections is rejected", async () => {
+  const { questionSetId, questions } = await issueQuestions("creative_media");
+  assert.strictEqual(questions[2].maxSelections, 3);
+  const { status, body } = await improve(questionSetId, { q3: ["photorealistic", "cinematic", "anime", "surreal"] });
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /at most 3 selections allowed/);
+});
+
+test("a scale value outside the range or not an integer is rejected", async () => {
+  const { questionSetId } = await issueQuestions("fitness");
+  for (const value of [0, 6, 2.5, "3"]) {
+    const { status, body } = await improve(questionSetId, { q2: value });
+    assert.strictEqual(status, 400, `value ${JSON.stringify(value)}`);
+    assert.match(body.error, /must be an integer from 1 to 5/);
+  }
+});
+
+test("a free-text \"Other\" is only accepted where the question allows it", async () => {
+  const { questionSetId } = await issueQuestions("creative_media");
+  const { status, body } = await improve(questionSetId, { q3: [{ other: "vaporwave" }] });
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /not one of the offered answers/);
+
+  const academic = await issueQuestions("academic");
+  assert.strictEqual((await improve(academic.questionSetId, { q1: { other: "   " } })).status, 400);
+  assert.strictEqual((await improve(academic.questionSetId, { q3: "" })).status, 400);
+});
+
+test("question sets from another install or unknown ids are rejected", async () => {
+  const { questionSetId } = await issueQuestions("academic");
+  const other = await server.register();
+  const foreign = await improve(questionSetId, { q2: "phd" }, other.headers);
+  assert.strictEqual(foreign.status, 400);
+  assert.match(foreign.body.error, /Unknown or expired questionSetId/);
+
+  assert.strictEqual((await improve("no-such-set", { q2: "phd" })).status, 400);
+});
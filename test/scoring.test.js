@@ -0,0 +1,50 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+
+function rubric(score) {
+  const dimensions = ["clarity", "specificity", "context", "constraints", "output_format"];
+  return Object.fromEntries(dimensions.map(key => [key, { score, rationale: `${key} at ${score}` }]));
+}
+
+// A valid judge reply: every dimension 8 before and 16 after
+const JUDGE_ENV = { MOCK_LLM_RESPONSE_JUDGE: JSON.stringify({ before: rubric(8), after: rubric(16) }) };
+
+const servers = [];
+let server;
+
+before(async () => {
+  server = await startServer(JUDGE_ENV);
+  servers.push(server);
+});
+
+after(() => {
+  servers.forEach(s => s.stop());
+});
+
+function improve(target, fields = {}) {
+  return target.post("/api/improve-prompt", { prompt: "Write a blog post about remote work", platform: "chatgpt", ...fields });
+}
+
+test("the local rubric scores improvements by default", async () => {
+  const { status, body } = await improve(server);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.score.scorer, "heuristic");
+  assert.ok(Array.isArray(body.score.failedChecks));
+});
+
+test("a request can opt in to the model judge", async () => {
+  const { status, body } = await improve(server, { scorer: "llm" });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.score.scorer, "llm");
+  assert.strictEqual(body.score.before, 40);
+  assert.strictEqual(body.score.after, 80);
+  assert.strictEqual(body.score.dimensions.after.clarity.rationale, "clarity at 16");
+});
+
+test("PROMPT_SCORER=llm makes the model judge the default", async () => {
+  const judged = await startServer({ ...JUDGE_ENV, PROMPT_SCORER: "llm" });
+  servers.push(judged);
+  assert.strictEqual((await improve(judged)).body.score.scorer, "llm");
+  assert.strictEqual((await improve(judged, { scorer: "heuristic" })).body.score.scorer, "heuristic");
+});
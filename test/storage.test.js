@@ -0,0 +1,155 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+Object.assign(process.env, {
+  NODE_ENV: "development",
+  LLM_PROVIDER: "mock",
+  TOKEN_SECRET: "test-secret",
+  STORAGE_BACKEND: "memory",
+  DURABLE_BACKEND: "memory",
+  DOMAIN_CONFIG_WATCH: "false"
+});
+const { MemoryLRUBackend, SQLiteBackend, createStorageBackend } = require("..");
+const { startServer } = require("./helpers/server");
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Contract tests every backend must pass
+ */
+function backendContract(createBackend) {
+  let backend;
+
+  before(() => {
+    backend = createBackend();
+  });
+
+  test("stores and deletes values", async () => {
+    await backend.set("value:a", { n: 1 });
+    assert.deepStrictEqual(await backend.get("value:a"), { n: 1 });
+    await backend.delete("value:a");
+    assert.strictEqual(await backend.get("value:a"), null);
+  });
+
+  test("expired entries are misses and are swept", async () => {
+    await backend.set("ttl:short", { n: 1 }, Date.now() + 30);
+    await backend.set("ttl:long", { n: 2 }, Date.now() + 60 * 1000);
+    await backend.set("ttl:none", { n: 3 }, null);
+    assert.deepStrictEqual(await backend.get("ttl:short"), { n: 1 });
+
+    await sleep(50);
+    assert.strictEqual(await backend.get("ttl:short"), null);
+    assert.deepStrictEqual((await backend.keys("ttl:")).sort(), ["ttl:long", "ttl:none"]);
+    await backend.set("ttl:gone", { n: 4 }, Date.now() - 1);
+    assert.ok(await backend.sweep() >= 1);
+    assert.deepStrictEqual(await backend.get("ttl:none"), { n: 3 });
+  });
+
+  test("lists keys by prefix", async () => {
+    await backend.set("prefix:one", {});
+    await backend.set("prefix:two", {});
+    await backend.set("other:three", {});
+    assert.deepStrictEqual((await backend.keys("prefix:")).sort(), ["prefix:one", "prefix:two"]);
+  });
+
+  test("increments counters and expires them", async () => {
+    await backend.increment("count:a", { requests: 1, tokens: 10 }, null);
+    const counters = await backend.increment("count:a", { requests: 1, tokens: -4 }, null);
+    assert.deepStrictEqual(counters, { requests: 2, tokens: 6 });
+    assert.deepStrictEqual(await backend.getCounters("count:a"), { requests: 2, tokens: 6 });
+    assert.deepStrictEqual(await backend.getCounters("count:missing"), {});
+
+    await backend.increment("count:short", { requests: 5 }, Date.now() + 30);
+    await sleep(50);
+    assert.deepStrictEqual(await backend.getCounters("count:short"), {});
+  });
+
+  test("concurrent increments are all counted", async () => {
+    await Promise.all(Array.from({ length: 50 }, () => backend.increment("count:burst", { n: 1 }, null)));
+    assert.deepStrictEqual(await backend.getCounters("count:burst"), { n: 50 });
+  });
+}
+
+describe("MemoryLRUBackend", () => {
+  backendContract(() => new MemoryLRUBackend({ maxEntries: 100 }));
+
+  test("evicts the least recently used entry past maxEntries", async () => {
+    const backend = new MemoryLRUBackend({ maxEntries: 2 });
+    await backend.set("a", { n: 1 });
+    await backend.set("b", { n: 2 });
+    await backend.get("a");
+    await backend.set("c", { n: 3 });
+
+    assert.strictEqual(await backend.get("b"), null);
+    assert.deepStrictEqual(await backend.get("a"), { n: 1 });
+    assert.deepStrictEqual(await backend.get("c"), { n: 3 });
+  });
+});
+
+describe("SQLiteBackend", () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "fixmyprompt-test-"));
+  const filename = path.join(directory, "storage.db");
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  backendContract(() => new SQLiteBackend({ filename }));
+
+  test("values and counters survive reopening the file", async () => {
+    const first = new SQLiteBackend({ filename });
+    await first.set("persist:value", { n: 1 }, null);
+    await first.increment("persist:count", { n: 3 }, null);
+    first.db.close();
+
+    const second = new SQLiteBackend({ filename });
+    assert.deepStrictEqual(await second.get("persist:value"), { n: 1 });
+    assert.deepStrictEqual(await second.getCounters("persist:count"), { n: 3 });
+    second.db.close();
+  });
+});
+
+describe("backend selection", () => {
+  test("createStorageBackend builds the named backend", () => {
+    assert.ok(createStorageBackend("memory") instanceof MemoryLRUBackend);
+    assert.throws(() => createStorageBackend("mongo"), /Unknown storage backend "mongo"/);
+  });
+
+  test("STORAGE_BACKEND and DURABLE_BACKEND pick the backends the server uses", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "fixmyprompt-test-"));
+    const server = await startServer({
+      STORAGE_BACKEND: "memory",
+      DURABLE_BACKEND: "sqlite",
+      SQLITE_PATH: path.join(directory, "durable.db")
+    });
+    try {
+      const { body } = await server.request("GET", "/health");
+      assert.strictEqual(body.storage, "memory");
+      assert.strictEqual(body.durableStorage, "sqlite");
+      assert.ok(fs.existsSync(path.join(directory, "durable.db")));
+    } finally {
+      server.stop();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test("a persistent STORAGE_BACKEND is also the default durable store", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "fixmyprompt-test-"));
+    const server = await startServer({
+      STORAGE_BACKEND: "sqlite",
+      DURABLE_BACKEND: "",
+      SQLITE_PATH: path.join(directory, "storage.db")
+    });
+    try {
+      const { body } = await server.request("GET", "/health");
+      assert.strictEqual(body.storage, "sqlite");
+      assert.strictEqual(body.durableStorage, "sqlite");
+    } finally {
+      server.stop();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});